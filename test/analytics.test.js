@@ -0,0 +1,80 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer, finishInterview } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+
+const STAR_ANSWER = 'Um, so, like, at my last job we were facing weekly outages. My goal was to stop them. ' +
+    'I rewrote the deploy scripts and I\'ve built alerting, you know, for every service. ' +
+    'As a result, incidents dropped by 40% in a quarter.';
+
+describe('answer analytics', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    /** Analytics for one candidate answer, via a mock interview turn */
+    async function analyze(answer) {
+        const { status, body } = await server.api('POST', '/api/mock-interview', {
+            ...JOB,
+            messages: [{ role: 'assistant', content: 'Tell me about a hard problem.' }, { role: 'user', ...answer }]
+        });
+        assert.equal(status, 200);
+        return body.analytics;
+    }
+
+    test('counts fillers and finds every STAR part', async () => {
+        const analytics = await analyze({ content: STAR_ANSWER });
+        assert.equal(analytics.fillers.terms.um, 1);
+        assert.equal(analytics.fillers.terms['you know'], 1);
+        assert.deepEqual(analytics.star.missing, []);
+        assert.equal(analytics.star.complete, true);
+        assert.equal(analytics.star.quantifiedResult, true);
+        assert.equal(analytics.pace, null);
+    });
+
+    test('irregular past tenses count as actions; states and wishes do not', async () => {
+        assert.equal((await analyze({ content: 'I led the migration to Postgres over two months.' })).star.action, true);
+        assert.equal((await analyze({ content: 'I overtook the release and I sought sign-off.' })).star.action, true);
+        assert.equal((await analyze({ content: 'I needed more time, and I was hoping for help.' })).star.action, false);
+    });
+
+    test('pace comes from timing: duration or word timestamps', async () => {
+        const timed = await analyze({ content: STAR_ANSWER, timing: { durationSeconds: 30 } });
+        assert.equal(timed.pace.wordsPerMinute, Math.round(timed.wordCount * 2));
+
+        const words = ['I', 'led', 'the', 'work'].map((word, i) => ({ word, start: i * 3, end: i * 3 + 0.5 }));
+        const paused = await analyze({ content: 'I led the work', timing: { words } });
+        assert.equal(paused.pace.longPauses, 3);
+        assert.equal(paused.pace.durationSeconds, 9.5);
+    });
+
+    test('the final feedback carries interview totals', async () => {
+        const { reply } = await finishInterview(server, { ...JOB, plan: SHORT_PLAN }, [STAR_ANSWER]);
+        assert.equal(reply.body.containsFeedback, true);
+
+        const totals = reply.body.feedback.answerAnalytics;
+        assert.equal(totals.answers, 3);
+        assert.ok(totals.fillers.count >= 3);
+    });
+
+    test('sessions store analytics on the transcript; bad timing is rejected', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock' });
+        const { id } = created.body.session;
+        const answered = await server.api('POST', `/api/sessions/${id}/messages`, { content: STAR_ANSWER, timing: { durationSeconds: 60 } });
+        assert.equal(answered.status, 200);
+
+        const { body } = await server.api('GET', `/api/sessions/${id}`);
+        const stored = body.session.messages.find(m => m.role === 'user');
+        assert.equal(stored.analytics.star.complete, true);
+        assert.equal(stored.analytics.pace.durationSeconds, 60);
+
+        const bad = await server.api('POST', `/api/sessions/${id}/messages`, { content: 'Hi', timing: { durationSeconds: -5 } });
+        assert.equal(bad.status, 400);
+    });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JOB, startServer } = require('./helpers');
+
+const QUESTION = { ...JOB, question: 'Why do you want this role?' };
+
+/** Create a key with the admin secret; returns the plaintext key and its view */
+async function createKey(server, body) {
+    const { status, body: created } = await server.api('POST', '/api/admin/keys', { name: 'Test app', userId: 'user-1', ...body });
+    assert.equal(status, 201);
+    return created;
+}
+
+describe('API keys', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('keys are returned once and stored hashed', async () => {
+        const { key, apiKey } = await createKey(server, { scopes: ['interview'] });
+        assert.match(key, /^ipk_[0-9a-f]{12}_/);
+
+        const secret = key.substring('ipk_'.length + 12 + 1);
+        const stored = fs.readFileSync(path.join(server.tmpDir, 'api-keys.json'), 'utf8');
+        assert.ok(!stored.includes(secret));
+        assert.ok(stored.includes(crypto.createHash('sha256').update(secret).digest('hex')));
+
+        const { body } = await server.api('GET', '/api/admin/keys?userId=user-1');
+        assert.ok(body.keys.some(k => k.id === apiKey.id));
+        assert.ok(body.keys.every(k => !('hash' in k)));
+    });
+
+    test('a key can only call endpoints in its scopes', async () => {
+        const { key } = await createKey(server, { scopes: ['quick-answer'] });
+
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION, { key })).status, 200);
+
+        const denied = await server.api('POST', '/api/tts', { text: 'Hello there.', voice: 'nova' }, { key });
+        assert.equal(denied.status, 403);
+        assert.match(denied.body.error, /"tts" scope/);
+
+        assert.equal((await server.api('POST', '/api/admin/keys', { name: 'x', userId: 'y' }, { key })).status, 403);
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION, { key: 'ipk_000000000000_nope' })).status, 401);
+    });
+
+    test('quotas count requests and answer 429 when used up', async () => {
+        const { key } = await createKey(server, { scopes: ['quick-answer'], quota: { daily: 2 } });
+
+        const first = await server.api('POST', '/api/quick-answer', QUESTION, { key });
+        assert.equal(first.headers.get('x-quota-daily-remaining'), '1');
+        await server.api('POST', '/api/quick-answer', QUESTION, { key });
+
+        const over = await server.api('POST', '/api/quick-answer', QUESTION, { key });
+        assert.equal(over.status, 429);
+        assert.match(over.body.error, /Daily quota exceeded/);
+
+        const me = await server.api('GET', '/api/me', undefined, { key });
+        assert.equal(me.status, 200);
+        assert.deepEqual(me.body.key.usage, { today: 2, thisMonth: 2 });
+        assert.deepEqual(me.body.key.scopes, ['quick-answer']);
+    });
+
+    test('a revoked key stops working immediately', async () => {
+        const { key, apiKey } = await createKey(server, { scopes: ['quick-answer'] });
+        assert.equal((await server.api('POST', `/api/admin/keys/${apiKey.id}/revoke`)).status, 200);
+
+        const revoked = await server.api('POST', '/api/quick-answer', QUESTION, { key });
+        assert.equal(revoked.status, 401);
+        assert.match(revoked.body.error, /revoked/);
+        assert.equal((await server.api('POST', '/api/admin/keys/000000000000/revoke')).status, 404);
+    });
+
+    test('sessions are only visible to the user whose key created them', async () => {
+        const alice = (await createKey(server, { userId: 'alice', scopes: ['interview'] })).key;
+        const bob = (await createKey(server, { userId: 'bob', scopes: ['interview'] })).key;
+
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock' }, { key: alice });
+        const { id } = created.body.session;
+        assert.equal((await server.api('GET', `/api/sessions/${id}`, undefined, { key: alice })).status, 200);
+        assert.equal((await server.api('GET', `/api/sessions/${id}`, undefined, { key: bob })).status, 404);
+    });
+
+    test('invalid key requests are rejected', async () => {
+        assert.equal((await server.api('POST', '/api/admin/keys', { name: 'x', userId: 'y', scopes: ['root'] })).status, 400);
+        assert.equal((await server.api('POST', '/api/admin/keys', { name: 'x', userId: 'y', expiresInDays: -1 })).status, 400);
+        assert.equal((await server.api('POST', '/api/admin/keys', { name: 'x', userId: 'y', quota: { daily: 1.5 } })).status, 400);
+    });
+});
+
+describe('expired API keys', () => {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-keys-'));
+    const storePath = path.join(storeDir, 'api-keys.json');
+    const secret = 'expired-secret';
+    let server;
+
+    before(async () => {
+        const id = 'abcdef012345';
+        fs.writeFileSync(storePath, JSON.stringify({
+            [id]: {
+                id,
+                name: 'Old build',
+                userId: 'user-1',
+                scopes: ['quick-answer'],
+                hash: crypto.createHash('sha256').update(secret).digest('hex'),
+                quota: { daily: null, monthly: null },
+                usage: null,
+                expiresAt: '2020-01-01T00:00:00.000Z',
+                revokedAt: null,
+                createdAt: '2019-01-01T00:00:00.000Z',
+                lastUsedAt: null
+            }
+        }));
+        server = await startServer({ KEY_STORE_PATH: storePath });
+    });
+    after(async () => {
+        await server.stop();
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    test('are refused with 401', async () => {
+        const { status, body } = await server.api('POST', '/api/quick-answer', QUESTION, { key: `ipk_abcdef012345_${secret}` });
+        assert.equal(status, 401);
+        assert.match(body.error, /expired/);
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Test helpers: start server.js against the mock AI provider on a free port,
+ * with every store in a temp directory, so a run never touches ./data or the
+ * network. Each test file starts its own server (and so its own rate limits).
+ */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const API_SECRET = 'test-secret';
+
+const JOB = { jobTitle: 'Software Engineer', industry: 'Technology', experienceLevel: 'Mid-level' };
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the server. `env` is merged over the test defaults.
+ * Returns { baseUrl, tmpDir, api, fetch, output, stop }.
+ */
+async function startServer(env = {}) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-test-'));
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            AI_PROVIDER: 'mock',
+            PORT: String(port),
+            API_SECRET,
+            SESSION_STORE: 'memory',
+            OPENAI_API_KEY: '',
+            TTS_CACHE_DIR: path.join(tmpDir, 'tts'),
+            KEY_STORE_PATH: path.join(tmpDir, 'api-keys.json'),
+            USAGE_STORE_PATH: path.join(tmpDir, 'usage.json'),
+            QUESTION_BANK_PATH: path.join(tmpDir, 'question-bank.json'),
+            PROGRESS_STORE_PATH: path.join(tmpDir, 'progress.json'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const server = {
+        baseUrl,
+        tmpDir,
+        output: () => output,
+
+        /** Raw fetch against the server */
+        fetch: (urlPath, options) => fetch(`${baseUrl}${urlPath}`, options),
+
+        /**
+         * Request with the admin key (or `key`; null for none). Plain objects
+         * are sent as JSON, FormData as multipart. Returns { status, headers, body }.
+         */
+        async api(method, urlPath, body, { key = API_SECRET, headers = {} } = {}) {
+            const isJson = body !== undefined && !(body instanceof FormData);
+            const res = await fetch(`${baseUrl}${urlPath}`, {
+                method,
+                headers: {
+                    ...(key && { 'X-API-Key': key }),
+                    ...(isJson && { 'Content-Type': 'application/json' }),
+                    ...headers
+                },
+                body: isJson ? JSON.stringify(body) : body
+            });
+            const type = res.headers.get('content-type') || '';
+            const payload = type.includes('application/json') ? await res.json()
+                : type.startsWith('text/') ? await res.text()
+                    : Buffer.from(await res.arrayBuffer());
+            return { status: res.status, headers: res.headers, body: payload };
+        },
+
+        /** SIGTERM the server, wait for it to exit and remove its temp directory */
+        async stop() {
+            if (child.exitCode === null && child.signalCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill('SIGTERM');
+                await exited;
+            }
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    };
+
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline && child.exitCode === null) {
+        try {
+            if ((await fetch(`${baseUrl}/api/health`)).ok) return server;
+        } catch {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await server.stop();
+    throw new Error(`Server did not start:\n${output}`);
+}
+
+/**
+ * Answer a stateless real interview until the interviewer gives feedback.
+ * `options` is passed to server.api (e.g. { key }).
+ * Returns { messages, reply, calls } — `messages` ends with the closing reply.
+ */
+async function finishInterview(server, body = JOB, answers = [], options = {}) {
+    const messages = [];
+    let reply = await server.api('POST', '/api/real-interview', { ...body, messages }, options);
+    let calls = 1;
+    while (reply.status === 200 && !reply.body.containsFeedback && calls < 20) {
+        const answer = answers[calls - 1] ?? `For example, I shipped project ${calls} and cut costs by ${calls * 5}%.`;
+        messages.push({ role: 'assistant', content: reply.body.message }, { role: 'user', content: answer });
+        reply = await server.api('POST', '/api/real-interview', { ...body, messages }, options);
+        calls++;
+    }
+    if (reply.status === 200) messages.push({ role: 'assistant', content: reply.body.message });
+    return { messages, reply, calls };
+}
+
+/** Parse a text/event-stream body into [{ event, data }] */
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        const data = block.match(/^data: (.+)$/m)?.[1];
+        return { event, data: data === undefined ? undefined : JSON.parse(data) };
+    });
+}
+
+module.exports = { API_SECRET, JOB, startServer, finishInterview, parseEvents };
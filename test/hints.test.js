@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+
+const ANSWER = 'I led the billing migration to Stripe and kept downtime under an hour.';
+const MESSAGES = [
+    { role: 'assistant', content: 'Tell me about a project you led.' },
+    { role: 'user', content: ANSWER },
+    { role: 'assistant', content: 'Tell me about a time you disagreed with your manager.' }
+];
+
+describe('interview hints', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('a hint names the competency and structure and reuses what the candidate said', async () => {
+        const { status, body } = await server.api('POST', '/api/hint', { ...JOB, messages: MESSAGES });
+        assert.equal(status, 200);
+        assert.deepEqual(body.hint.competency, { key: 'problemSolving', label: 'Problem Solving' });
+        assert.equal(body.hint.structure.key, 'star');
+        assert.equal(body.hint.structure.steps.length, 4);
+        assert.match(body.hint.nudge, /specific time/);
+
+        // The mock's second point quotes a list, not a string, and is dropped
+        assert.deepEqual(body.hint.talkingPoints, [
+            { point: 'The example you gave earlier could work here too.', quote: 'I led the billing migration to Stripe and', messageIndex: 1 }
+        ]);
+    });
+
+    test('hints are only given on an unanswered question', async () => {
+        const answered = await server.api('POST', '/api/hint', { ...JOB, messages: MESSAGES.slice(0, 2) });
+        assert.equal(answered.status, 409);
+        assert.equal((await server.api('POST', '/api/hint', { ...JOB, messages: [] })).status, 400);
+    });
+
+    test('hinted answers are counted in the final feedback', async () => {
+        const body = { ...JOB, plan: SHORT_PLAN };
+        const messages = [];
+        let reply = await server.api('POST', '/api/real-interview', { ...body, messages });
+        for (let i = 0; i < 3 && !reply.body.containsFeedback; i++) {
+            messages.push({ role: 'assistant', content: reply.body.message }, { role: 'user', content: `${ANSWER} (${i + 1})`, ...(i === 1 && { hintUsed: true }) });
+            reply = await server.api('POST', '/api/real-interview', { ...body, messages });
+        }
+        assert.equal(reply.body.containsFeedback, true);
+        assert.equal(reply.body.feedback.hintsUsed, 1);
+    });
+
+    test('sessions record hints and mark the next answer', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'real', plan: SHORT_PLAN });
+        const { id } = created.body.session;
+
+        const hinted = await server.api('POST', `/api/sessions/${id}/hint`);
+        assert.equal(hinted.status, 200);
+        assert.equal(hinted.body.hint.talkingPoints.length, 0);
+
+        await server.api('POST', `/api/sessions/${id}/messages`, { content: ANSWER });
+        const { body } = await server.api('GET', `/api/sessions/${id}`);
+        assert.equal(body.session.hints.length, 1);
+        assert.equal(body.session.messages[1].hintUsed, true);
+        assert.equal(body.session.messages.some(m => /specific time/.test(m.content)), false);
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const REQUEST = {
+    ...JOB,
+    question: 'Tell me about a time you improved a process.',
+    answer: 'So, we had a slow release process at my last job. I automated the deployment and the team liked it.'
+};
+
+describe('answer improvement', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('returns the rewrite as a sentence diff with placeholders', async () => {
+        const { status, body } = await server.api('POST', '/api/quick-answer/improve', REQUEST);
+        assert.equal(status, 200);
+        assert.match(body.improvedAnswer, /^We had a slow release process/);
+        assert.deepEqual(body.changes.map(c => [c.type, c.change ?? null]),
+            [['modified', 'removed-filler'], ['unchanged', null], ['added', 'added-result']]);
+        assert.equal(body.changes[0].changeLabel, 'Removed filler');
+        assert.equal(body.changes[2].original, null);
+        assert.deepEqual(body.placeholders, ['[what changed, and by how much?]']);
+        assert.deepEqual(body.factCheck, { removedNumbers: [] });
+        assert.equal(body.language, 'en');
+    });
+
+    test('estimates duration at the user\'s pace, or at 140 words per minute', async () => {
+        const timed = await server.api('POST', '/api/quick-answer/improve', { ...REQUEST, timing: { durationSeconds: 12 } });
+        const { original, improved } = timed.body.duration;
+        assert.equal(original.seconds, 12);
+        assert.equal(timed.body.duration.wordsPerMinute, Math.round(original.words / 12 * 60));
+        assert.ok(improved.seconds > original.seconds);
+
+        const untimed = await server.api('POST', '/api/quick-answer/improve', REQUEST);
+        assert.equal(untimed.body.duration.wordsPerMinute, 140);
+    });
+
+    test('invalid requests are rejected', async () => {
+        const tooShort = await server.api('POST', '/api/quick-answer/improve', { ...REQUEST, answer: 'I did it.' });
+        assert.equal(tooShort.status, 400);
+        assert.match(tooShort.body.error, /too short/);
+
+        const unknown = await server.api('POST', '/api/quick-answer/improve', { ...REQUEST, question: undefined, questionId: 'q_missing' });
+        assert.equal(unknown.status, 404);
+
+        const { key } = (await server.api('POST', '/api/admin/keys', { name: 'Voice only', userId: 'u1', scopes: ['tts'] })).body;
+        assert.equal((await server.api('POST', '/api/quick-answer/improve', REQUEST, { key })).status, 403);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+describe('interview languages', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('GET /api/plans lists the languages and their voices', async () => {
+        const { body } = await server.api('GET', '/api/plans');
+        assert.deepEqual(body.languages.map(l => [l.code, l.voice]),
+            [['en', 'nova'], ['es', 'nova'], ['de', 'onyx'], ['fr', 'shimmer'], ['pt', 'alloy']]);
+    });
+
+    test('sessions remember the language; regional tags map to the base language', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock', language: 'pt-BR' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.session.context.language, 'pt');
+    });
+
+    test('unknown languages are rejected', async () => {
+        const { status, body } = await server.api('POST', '/api/mock-interview', { ...JOB, messages: [], language: 'tlh' });
+        assert.equal(status, 400);
+        assert.match(body.error, /^Invalid language\. Valid options: en, es, de, fr, pt$/);
+    });
+
+    test('without a voice, /api/tts reads with the language\'s voice', async () => {
+        const text = 'Guten Tag, willkommen zum Interview.';
+        const byLanguage = await server.api('POST', '/api/tts', { text, language: 'de' });
+        const byVoice = await server.api('POST', '/api/tts', { text, voice: 'onyx' });
+        assert.equal(byLanguage.status, 200);
+        assert.equal(byLanguage.headers.get('etag'), byVoice.headers.get('etag'));
+    });
+});
+
+describe('localized errors', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('errors follow Accept-Language and carry Content-Language', async () => {
+        const { status, headers, body } = await server.api('GET', '/api/sessions/missing', undefined, { headers: { 'Accept-Language': 'de-DE,de;q=0.9' } });
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Sitzung nicht gefunden oder abgelaufen');
+        assert.equal(headers.get('content-language'), 'de');
+        assert.match(headers.get('vary'), /Accept-Language/);
+    });
+
+    test('templated messages keep their variable parts', async () => {
+        const { body } = await server.api('POST', '/api/mock-interview', { ...JOB, messages: [], language: 'tlh' }, { headers: { 'Accept-Language': 'fr' } });
+        assert.equal(body.error, 'Langue invalide. Options valides : en, es, de, fr, pt');
+    });
+
+    test('the most preferred supported language wins; otherwise English', async () => {
+        const ranked = await server.api('GET', '/api/sessions/missing', undefined, { headers: { 'Accept-Language': 'ja, es;q=0.5, pt;q=0.8' } });
+        assert.equal(ranked.body.error, 'Sessão não encontrada ou expirada');
+
+        const unsupported = await server.api('GET', '/api/sessions/missing', undefined, { headers: { 'Accept-Language': 'ja' } });
+        assert.equal(unsupported.body.error, 'Session not found or expired');
+        assert.equal(unsupported.headers.get('content-language'), null);
+    });
+
+    test('admin-facing messages stay in English', async () => {
+        const { body } = await server.api('POST', '/api/admin/keys', { userId: 'u1' }, { headers: { 'Accept-Language': 'es' } });
+        assert.equal(body.error, 'A key name is required (max 100 characters)');
+    });
+});
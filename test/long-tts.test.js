@@ -0,0 +1,51 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The mock speaks one 417-byte frame per 15 characters
+const FRAME_BYTES = 417;
+
+/** `count` distinct sentences of roughly 60 characters each */
+function sentences(count) {
+    return Array.from({ length: count }, (_, i) => `Sentence number ${i + 1} talks about the rollout we shipped.`).join(' ');
+}
+
+describe('long-text TTS', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('text past one TTS call is spoken in full, segment by segment', async () => {
+        const text = sentences(100);
+        assert.ok(text.length > 4096);
+
+        const { status, headers, body } = await server.api('POST', '/api/tts', { text, voice: 'nova' });
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-tts-truncated'), 'false');
+
+        const [spoken, total] = headers.get('x-tts-segments').split('/').map(Number);
+        assert.equal(spoken, total);
+        assert.ok(total >= 6);
+        assert.equal(body.length % FRAME_BYTES, 0);
+        assert.ok(body.length / FRAME_BYTES >= text.length / 15);
+    });
+
+    test('stream: true returns the same audio in segment order', async () => {
+        const text = sentences(40);
+        const whole = await server.api('POST', '/api/tts', { text, voice: 'echo' });
+        const streamed = await server.api('POST', '/api/tts', { text, voice: 'echo', stream: true });
+
+        assert.equal(streamed.status, 200);
+        assert.equal(streamed.headers.get('transfer-encoding'), 'chunked');
+        assert.equal(streamed.headers.get('x-tts-segments'), whole.headers.get('x-tts-segments').split('/')[1]);
+        assert.deepEqual(streamed.body, whole.body);
+    });
+
+    test('requests over 20,000 characters are rejected', async () => {
+        const { status, body } = await server.api('POST', '/api/tts', { text: 'a'.repeat(20001), voice: 'nova' });
+        assert.equal(status, 400);
+        assert.match(body.error, /max 20000 characters/);
+    });
+});
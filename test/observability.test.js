@@ -0,0 +1,101 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_SECRET, JOB, startServer } = require('./helpers');
+
+const METRICS_TOKEN = 'metrics-token';
+
+/** Parsed JSON log lines written so far */
+const logLines = (server) => server.output().split('\n').filter(l => l.startsWith('{')).map(l => JSON.parse(l));
+
+/** Value of one Prometheus sample, or undefined */
+function sample(text, name, labels) {
+    const wanted = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+    const line = text.split('\n').find(l => l.startsWith(`${name}{`) && wanted.every(w => l.includes(w)));
+    return line === undefined ? undefined : Number(line.split(' ').pop());
+}
+
+describe('request ids and logs', () => {
+    let server;
+    before(async () => { server = await startServer({ METRICS_TOKEN }); });
+    after(() => server.stop());
+
+    test('a plain X-Request-Id is echoed and tagged on log lines; others are replaced', async () => {
+        const echoed = await server.api('GET', '/api/plans', undefined, { headers: { 'X-Request-Id': 'client-req.42' } });
+        assert.equal(echoed.headers.get('x-request-id'), 'client-req.42');
+
+        const replaced = await server.api('GET', '/api/plans', undefined, { headers: { 'X-Request-Id': 'not a token!' } });
+        assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f]{8}-[0-9a-f]{4}-/);
+
+        const completed = logLines(server).find(l => l.msg === 'Request completed' && l.requestId === 'client-req.42');
+        assert.equal(completed.route, '/api/plans');
+        assert.equal(completed.status, 200);
+    });
+
+    test('secrets never reach the logs', async () => {
+        await server.api('GET', '/api/sessions/missing');
+        assert.ok(!server.output().includes(API_SECRET));
+    });
+});
+
+describe('metrics', () => {
+    let server;
+    before(async () => { server = await startServer({ METRICS_TOKEN }); });
+    after(() => server.stop());
+
+    const metrics = async () => {
+        const res = await server.fetch('/metrics', { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+        assert.equal(res.status, 200);
+        return res.text();
+    };
+
+    test('GET /metrics needs the token when one is set', async () => {
+        assert.equal((await server.fetch('/metrics')).status, 401);
+        assert.equal((await server.fetch('/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    });
+
+    test('requests, upstream calls and tokens are counted by route pattern and model', async () => {
+        await server.api('GET', '/api/sessions/one');
+        await server.api('GET', '/api/sessions/two');
+        await server.api('POST', '/api/mock-interview', { ...JOB, messages: [] });
+
+        const text = await metrics();
+        assert.equal(sample(text, 'interviewpro_http_request_duration_seconds_count', { route: '/api/sessions/:id', status: '404' }), 2);
+        assert.equal(sample(text, 'interviewpro_upstream_duration_seconds_count', { operation: 'chat', model: 'gpt-4o', outcome: 'ok' }), 1);
+        assert.ok(sample(text, 'interviewpro_model_tokens_total', { model: 'gpt-4o', direction: 'output' }) > 0);
+    });
+
+    test('requests this server rejects with 429 count as source="api"', async () => {
+        const { key } = (await server.api('POST', '/api/admin/keys', { name: 'Tiny', userId: 'u1', scopes: ['quick-answer'], quota: { daily: 1 } })).body;
+        const question = { ...JOB, question: 'Why this role?' };
+        await server.api('POST', '/api/quick-answer', question, { key });
+        assert.equal((await server.api('POST', '/api/quick-answer', question, { key })).status, 429);
+
+        assert.equal(sample(await metrics(), 'interviewpro_rate_limited_total', { source: 'api', route: '/api/quick-answer' }), 1);
+    });
+});
+
+describe('upstream failures mid-stream', () => {
+    let server;
+    before(async () => { server = await startServer({ METRICS_TOKEN, MOCK_STREAM_ERROR: '429' }); });
+    after(() => server.stop());
+
+    test('count as upstream 429s and are logged with the error', async () => {
+        const res = await server.fetch('/api/real-interview/stream', {
+            method: 'POST',
+            headers: { 'X-API-Key': API_SECRET, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...JOB, messages: [] })
+        });
+        assert.match(await res.text(), /event: error/);
+
+        const text = await (await server.fetch('/metrics', { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } })).text();
+        assert.equal(sample(text, 'interviewpro_rate_limited_total', { source: 'upstream', route: '/api/real-interview/stream' }), 1);
+        assert.equal(sample(text, 'interviewpro_upstream_duration_seconds_count', { operation: 'chat_stream', outcome: 'error' }), 1);
+
+        const warning = logLines(server).find(l => l.msg === 'Upstream call' && l.outcome === 'error');
+        assert.equal(warning.level, 'warn');
+        assert.equal(warning.status, 429);
+        assert.match(warning.error, /stream failed/);
+    });
+});
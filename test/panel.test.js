@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_SECRET, JOB, startServer, finishInterview, parseEvents } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+const PANEL_INTERVIEW = { ...JOB, plan: SHORT_PLAN, panel: ['hiring-manager', 'hr-partner'] };
+
+describe('panel interviews', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('the lead opens, stage owners ask, and feedback has a panel scorecard', async () => {
+        const { reply, messages } = await finishInterview(server, PANEL_INTERVIEW);
+        assert.equal(reply.body.containsFeedback, true);
+
+        // Replay the transcript to see who asked each question
+        const speakers = [];
+        for (let i = 0; i < messages.length; i += 2) {
+            const turn = await server.api('POST', '/api/real-interview', { ...PANEL_INTERVIEW, messages: messages.slice(0, i) });
+            speakers.push(turn.body.speaker.id);
+        }
+        assert.deepEqual(speakers, ['hiring-manager', 'hr-partner', 'hiring-manager', 'hiring-manager']);
+
+        const { panel } = reply.body.feedback;
+        assert.deepEqual(panel.map(p => [p.id, p.name, p.score]), [['hiring-manager', 'Jordan Reyes', 70], ['hr-partner', 'Maya Chen', 74]]);
+        assert.ok(panel.every(p => p.perspective));
+    });
+
+    test('streams name the speaker before the first delta; sessions store it', async () => {
+        const res = await server.fetch('/api/real-interview/stream', {
+            method: 'POST',
+            headers: { 'X-API-Key': API_SECRET, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...PANEL_INTERVIEW, messages: [] })
+        });
+        const events = parseEvents(await res.text());
+        const speaker = events.findIndex(e => e.event === 'speaker');
+        assert.ok(speaker >= 0 && speaker < events.findIndex(e => e.event === 'delta'));
+        assert.deepEqual(events[speaker].data, { id: 'hiring-manager', name: 'Jordan Reyes', role: 'Hiring Manager', voice: 'onyx' });
+
+        const created = await server.api('POST', '/api/sessions', { ...PANEL_INTERVIEW, mode: 'real' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.session.messages[0].speaker, 'hiring-manager');
+    });
+
+    test('custom personas override presets; invalid panels are rejected', async () => {
+        const custom = await server.api('POST', '/api/real-interview', {
+            ...JOB,
+            plan: SHORT_PLAN,
+            messages: [],
+            panel: [{ name: 'Lee Park', role: 'Engineering Director', focus: 'org design', voice: 'fable' }, 'technical-peer']
+        });
+        assert.equal(custom.status, 200);
+        assert.deepEqual(custom.body.speaker, { id: 'lee-park', name: 'Lee Park', role: 'Engineering Director', voice: 'fable' });
+
+        const invalid = [
+            ['hiring-manager'],
+            ['hiring-manager', 'astronaut'],
+            ['hiring-manager', 'hiring-manager'],
+            ['hiring-manager', { preset: 'hr-partner', voice: 'kazoo' }]
+        ];
+        for (const panel of invalid) {
+            const { status } = await server.api('POST', '/api/real-interview', { ...JOB, messages: [], panel });
+            assert.equal(status, 400, JSON.stringify(panel));
+        }
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer, finishInterview } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [
+        { stage: 'opening', questions: 1 },
+        { stage: 'behavioral', questions: 1, competencies: ['leadershipTeamwork'] },
+        { stage: 'closing', questions: 1 }
+    ]
+};
+
+describe('interview plans', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('lists the presets and stage types', async () => {
+        const { status, body } = await server.api('GET', '/api/plans');
+        assert.equal(status, 200);
+        assert.equal(body.defaultPlan, 'standard');
+        assert.deepEqual(body.plans.map(p => p.id), ['standard', 'screen-15', 'onsite-45']);
+        assert.equal(body.plans.find(p => p.id === 'standard').totalQuestions, 9);
+        assert.ok(body.stages.some(s => s.stage === 'problem-solving'));
+    });
+
+    test('a custom plan walks its stages and concludes after the last one', async () => {
+        const { reply, calls, messages } = await finishInterview(server, { ...JOB, plan: SHORT_PLAN });
+        assert.equal(calls, 4);
+        assert.equal(reply.body.containsFeedback, true);
+        assert.equal(reply.body.progress.complete, true);
+
+        const stages = [];
+        const history = [];
+        for (const message of messages.slice(0, -1)) {
+            history.push(message);
+            if (message.role !== 'user') continue;
+            const turn = await server.api('POST', '/api/real-interview', { ...JOB, plan: SHORT_PLAN, messages: history });
+            stages.push(turn.body.progress.stage);
+        }
+        assert.deepEqual(stages, ['behavioral', 'closing', null]);
+    });
+
+    test('a session follows its plan and reports progress', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'real', plan: SHORT_PLAN });
+        assert.equal(created.status, 201);
+        const { id, progress } = created.body.session;
+        assert.equal(progress.maxUserMessages, 4);
+
+        let reply;
+        for (let i = 0; i < 3; i++) {
+            reply = await server.api('POST', `/api/sessions/${id}/messages`, { content: `Answer ${i + 1}: I led the migration.` });
+        }
+        assert.equal(reply.body.containsFeedback, true);
+        assert.equal(reply.body.session.status, 'completed');
+    });
+
+    test('invalid plans are rejected', async () => {
+        const cases = [
+            'speed-round',
+            { stages: [] },
+            { stages: [{ stage: 'karaoke', questions: 1 }] },
+            { stages: [{ stage: 'opening' }] },
+            { stages: [{ stage: 'behavioral', questions: 1, competencies: ['juggling'] }] }
+        ];
+        for (const plan of cases) {
+            const { status } = await server.api('POST', '/api/real-interview', { ...JOB, plan, messages: [] });
+            assert.equal(status, 400, JSON.stringify(plan));
+        }
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const RESUME = [
+    'Backend engineer at Acme, 2019-2024',
+    '- Cut p99 latency by 40% by moving hot paths to Redis',
+    '- Mentored new hires'
+].join('\n');
+
+const JOB_DESCRIPTION = [
+    '- Design distributed systems',
+    '- Lead incident response'
+].join('\n');
+
+describe('candidate profiles', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('extracts claims from the resume and requirements from the job description', async () => {
+        const { status, body } = await server.api('POST', '/api/profile', { ...JOB, resumeText: RESUME, jobDescription: JOB_DESCRIPTION });
+        assert.equal(status, 200);
+        assert.deepEqual(body.candidateProfile.achievements, ['Backend engineer at Acme, 2019-2024', 'Cut p99 latency by 40% by moving hot paths to Redis']);
+        assert.deepEqual(body.candidateProfile.requiredCompetencies, ['Design distributed systems', 'Lead incident response']);
+    });
+
+    test('needs a resume or a job description', async () => {
+        assert.equal((await server.api('POST', '/api/profile', { ...JOB })).status, 400);
+    });
+
+    test('an interview started with a resume returns the extracted profile', async () => {
+        const { status, body } = await server.api('POST', '/api/real-interview', { ...JOB, resumeText: RESUME, messages: [] });
+        assert.equal(status, 200);
+        assert.ok(body.candidateProfile.achievements.length);
+    });
+
+    test('a session profile can be corrected by the user', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock', resumeText: RESUME });
+        const { id } = created.body.session;
+
+        const corrected = await server.api('POST', `/api/sessions/${id}/profile`, {
+            candidateProfile: { skills: ['Go'], pastRoles: [], achievements: ['Led the Redis migration'], requiredCompetencies: [], gaps: [] }
+        });
+        assert.equal(corrected.status, 200);
+        assert.deepEqual(corrected.body.session.context.profile.achievements, ['Led the Redis migration']);
+
+        assert.equal((await server.api('POST', `/api/sessions/${id}/profile`, { candidateProfile: 'nope' })).status, 400);
+    });
+});
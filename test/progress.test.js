@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer, finishInterview } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+const INTERVIEW = { ...JOB, plan: SHORT_PLAN };
+
+describe('interview progress', () => {
+    let server;
+    let key;
+    before(async () => {
+        server = await startServer();
+        ({ key } = (await server.api('POST', '/api/admin/keys', { name: 'Progress app', userId: 'user-1', scopes: ['interview'] })).body);
+    });
+    after(() => server.stop());
+
+    /** Send the closing turn of a finished interview again */
+    const retryClosingTurn = (body, messages) =>
+        server.api('POST', '/api/real-interview', { ...body, messages: messages.slice(0, -1) }, { key });
+
+    test('a completed interview shows up in the user\'s progress', async () => {
+        const body = { ...INTERVIEW, interviewId: 'iv-1' };
+        const { reply } = await finishInterview(server, body, [], { key });
+        assert.equal(reply.body.containsFeedback, true);
+
+        const { status, body: progress } = await server.api('GET', '/api/progress', undefined, { key });
+        assert.equal(status, 200);
+        assert.equal(progress.userId, 'user-1');
+        assert.equal(progress.interviewCount, 1);
+        assert.equal(progress.overall.latest, 72);
+        assert.equal(progress.categories.length, 5);
+        assert.equal(progress.targets.length, 1);
+    });
+
+    test('a retried closing turn is recorded once, by interviewId or by transcript', async () => {
+        const first = await finishInterview(server, { ...INTERVIEW, interviewId: 'iv-2' }, [], { key });
+        const retried = await retryClosingTurn({ ...INTERVIEW, interviewId: 'iv-2' }, first.messages);
+        assert.equal(retried.body.containsFeedback, true);
+
+        const second = await finishInterview(server, INTERVIEW, [], { key });
+        await retryClosingTurn(INTERVIEW, second.messages);
+
+        const { body } = await server.api('GET', '/api/progress', undefined, { key });
+        assert.equal(body.interviewCount, 3);
+    });
+
+    test('the legacy secret is not tracked; admins can look up a user', async () => {
+        await finishInterview(server, INTERVIEW);
+
+        const legacy = await server.api('GET', '/api/progress');
+        assert.equal(legacy.status, 400);
+
+        const user = await server.api('GET', '/api/progress?userId=user-1');
+        assert.equal(user.body.interviewCount, 3);
+        const shared = await server.api('GET', '/api/progress?userId=legacy');
+        assert.equal(shared.body.interviewCount, 0);
+    });
+
+    test('invalid interview ids and filters are rejected', async () => {
+        const badId = await server.api('POST', '/api/real-interview', { ...INTERVIEW, interviewId: 'no spaces', messages: [] }, { key });
+        assert.equal(badId.status, 400);
+        assert.match(badId.body.error, /interviewId/);
+
+        const badFilter = await server.api('GET', `/api/progress?jobTitle=${'x'.repeat(201)}`, undefined, { key });
+        assert.equal(badFilter.status, 400);
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JOB, startServer } = require('./helpers');
+
+// Hashed into the 50/50 experiment below, these land on both arms
+const USERS = ['ana', 'ben', 'chen', 'dara'];
+
+describe('prompt registry', () => {
+    const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-prompts-'));
+    const registryPath = path.join(promptsDir, 'registry.json');
+    const registry = () => JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    const writeRegistry = (value) => fs.writeFileSync(registryPath, JSON.stringify(value));
+    const opening = (body = {}, options) => server.api('POST', '/api/real-interview', { ...JOB, messages: [], ...body }, options);
+    let server;
+
+    before(async () => {
+        fs.cpSync(path.join(__dirname, '..', 'prompts'), promptsDir, { recursive: true });
+        server = await startServer({ PROMPTS_DIR: promptsDir, PROMPTS_WATCH: 'false' });
+    });
+    after(async () => {
+        await server.stop();
+        fs.rmSync(promptsDir, { recursive: true, force: true });
+    });
+
+    test('responses report the prompt version that produced them', async () => {
+        const { body } = await opening();
+        assert.equal(body.prompt.name, 'real-interview');
+        assert.equal(body.prompt.version, 'v1');
+        assert.match(body.prompt.revision, /^[0-9a-f]{8}$/);
+        assert.equal(body.prompt.experiment, null);
+    });
+
+    test('a reload picks up new versions and experiments', async () => {
+        const v1 = fs.readFileSync(path.join(promptsDir, 'real-interview', 'v1.txt'), 'utf8');
+        fs.writeFileSync(path.join(promptsDir, 'real-interview', 'v2.txt'), `${v1}\n\nOpen warmly.`);
+        writeRegistry({ ...registry(), 'real-interview': { default: 'v1', experiment: { id: 'warmer', arms: { v1: 50, v2: 50 } } } });
+
+        const { status, body } = await server.api('POST', '/api/admin/prompts/reload');
+        assert.equal(status, 200);
+        const realInterview = body.prompts.find(p => p.name === 'real-interview');
+        assert.deepEqual(realInterview.versions.map(v => v.version).sort(), ['v1', 'v2']);
+        assert.equal(realInterview.experiment.id, 'warmer');
+    });
+
+    test('each user stays on one arm', async () => {
+        const seen = new Set();
+        for (const userId of USERS) {
+            const { body: created } = await server.api('POST', '/api/admin/keys', { name: 'Test app', userId, scopes: ['interview'] });
+            const first = (await opening({}, { key: created.key })).body.prompt;
+            const again = (await opening({}, { key: created.key })).body.prompt;
+            assert.equal(again.version, first.version);
+            assert.equal(first.experiment, 'warmer');
+            seen.add(first.version);
+        }
+        assert.deepEqual([...seen].sort(), ['v1', 'v2']);
+    });
+
+    test('calls without an identity get the default version, or the one they pin', async () => {
+        for (let i = 0; i < 2; i++) {
+            const { prompt } = (await opening()).body;
+            assert.equal(prompt.version, 'v1');
+            assert.equal(prompt.experiment, null);
+        }
+
+        const pinned = (await opening({ promptVersions: { 'real-interview': 'v2' } })).body.prompt;
+        assert.equal(pinned.version, 'v2');
+        assert.equal(pinned.experiment, 'warmer');
+
+        assert.equal((await opening({ promptVersions: ['v2'] })).status, 400);
+        const quick = await server.api('POST', '/api/quick-answer', { ...JOB, question: 'Why us?', promptVersions: { 'quick-answer': 'v1' } });
+        assert.equal(quick.body.prompt.version, 'v1');
+    });
+
+    test('sessions keep the version they started with', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'real' });
+        const { id } = created.body.session;
+        const started = created.body.prompt.version;
+
+        const other = started === 'v1' ? 'v2' : 'v1';
+        writeRegistry({ ...registry(), 'real-interview': { default: other, experiment: null } });
+        assert.equal((await server.api('POST', '/api/admin/prompts/reload')).status, 200);
+
+        const reply = await server.api('POST', `/api/sessions/${id}/messages`, { content: 'I run the payments team.' });
+        assert.equal(reply.body.prompt.version, started);
+        assert.equal((await opening()).body.prompt.version, other);
+    });
+
+    test('an invalid reload keeps the previous prompts', async () => {
+        const before = (await server.api('GET', '/api/admin/prompts')).body;
+        writeRegistry({ ...registry(), 'quick-answer': { default: 'v9', experiment: null } });
+
+        const { status, body } = await server.api('POST', '/api/admin/prompts/reload');
+        assert.equal(status, 422);
+        assert.match(body.error, /default version "v9" not found/);
+        assert.deepEqual((await server.api('GET', '/api/admin/prompts')).body, before);
+    });
+});
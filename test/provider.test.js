@@ -0,0 +1,60 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { JOB, startServer } = require('./helpers');
+
+/** Run server.js expecting it to refuse to start; returns { status, output } */
+function startupFailure(env) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: '0', OPENAI_API_KEY: '', ...env },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    return { status: result.status, output: result.stdout + result.stderr };
+}
+
+describe('AI provider selection', () => {
+    test('the OpenAI provider needs OPENAI_API_KEY', () => {
+        const { status, output } = startupFailure({ AI_PROVIDER: 'openai' });
+        assert.equal(status, 1);
+        assert.match(output, /OPENAI_API_KEY/);
+    });
+
+    test('an unknown provider is refused', () => {
+        const { status, output } = startupFailure({ AI_PROVIDER: 'carrier-pigeon' });
+        assert.equal(status, 1);
+        assert.match(output, /Unknown AI_PROVIDER/);
+    });
+});
+
+describe('mock provider', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('runs without an OpenAI key and answers deterministically', async () => {
+        const body = {
+            ...JOB,
+            messages: [
+                { role: 'assistant', content: 'Tell me about a project you are proud of.' },
+                { role: 'user', content: 'I rebuilt our deploy pipeline.' }
+            ]
+        };
+        const first = await server.api('POST', '/api/mock-interview', body);
+        const second = await server.api('POST', '/api/mock-interview', body);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.message, second.body.message);
+        assert.ok(first.body.usage.input_tokens > 0);
+        assert.ok(first.body.usage.output_tokens > 0);
+    });
+
+    test('synthesizes speech as MP3 frames', async () => {
+        const { status, headers, body } = await server.api('POST', '/api/tts', { text: 'Thanks for joining. Let us begin.', voice: 'nova' });
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'audio/mpeg');
+        assert.equal(body.readUInt16BE(0) & 0xFFE0, 0xFFE0);
+    });
+});
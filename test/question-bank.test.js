@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const QUESTIONS = [
+    { text: 'How do you decide which metric to optimize?', competency: 'problemSolving', roleFamilies: ['data'], difficulty: 'hard' },
+    { text: 'Describe a dashboard nobody used and what you changed.', competency: 'communication', roleFamilies: ['data'] }
+];
+const DATA_JOB = { ...JOB, jobTitle: 'Data Analyst' };
+
+describe('question bank', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('is seeded on first start', async () => {
+        const { body } = await server.api('GET', '/api/admin/questions');
+        assert.ok(body.count > 0);
+        assert.ok(body.questions.every(q => q.id && q.competency));
+    });
+
+    test('questions can be created, edited with PATCH and deleted with DELETE', async () => {
+        const created = await server.api('POST', '/api/admin/questions', QUESTIONS[0]);
+        assert.equal(created.status, 201);
+        const { id } = created.body.question;
+
+        const edited = await server.api('PATCH', `/api/admin/questions/${id}`, { difficulty: 'easy' });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.question.difficulty, 'easy');
+        assert.equal(edited.body.question.text, QUESTIONS[0].text);
+        assert.equal((await server.api('PATCH', `/api/admin/questions/${id}`, { competency: 'charisma' })).status, 400);
+
+        assert.equal((await server.api('DELETE', `/api/admin/questions/${id}`)).status, 200);
+        assert.equal((await server.api('GET', `/api/admin/questions/${id}`)).status, 404);
+        assert.equal((await server.api('DELETE', `/api/admin/questions/${id}`)).status, 404);
+    });
+
+    test('browsers may send PATCH and DELETE cross-origin', async () => {
+        const res = await server.fetch('/api/admin/questions/q_1', {
+            method: 'OPTIONS',
+            headers: { 'Origin': 'https://app.example.com', 'Access-Control-Request-Method': 'DELETE' }
+        });
+        assert.equal(res.status, 204);
+        assert.match(res.headers.get('access-control-allow-methods'), /PATCH,DELETE/);
+    });
+
+    test('import skips invalid entries and never empties the bank for nothing', async () => {
+        const empty = await server.api('POST', '/api/admin/questions/import', { questions: [{ text: 'No competency' }], replace: true });
+        assert.equal(empty.status, 400);
+        assert.ok((await server.api('GET', '/api/admin/questions')).body.count > 2);
+
+        const imported = await server.api('POST', '/api/admin/questions/import', {
+            questions: [...QUESTIONS, { text: 'No competency' }],
+            replace: true
+        });
+        assert.equal(imported.status, 201);
+        assert.equal(imported.body.imported, 2);
+        assert.deepEqual(imported.body.errors.map(e => e.index), [2]);
+        assert.equal(imported.body.total, 2);
+    });
+
+    test('mock interviews draw unasked bank questions', async () => {
+        const first = await server.api('POST', '/api/mock-interview', { ...DATA_JOB, messages: [], questionBank: true });
+        assert.equal(first.status, 200);
+        const askedQuestionIds = [first.body.bankQuestion.id];
+
+        const second = await server.api('POST', '/api/mock-interview', { ...DATA_JOB, messages: [], questionBank: true, askedQuestionIds });
+        assert.notEqual(second.body.bankQuestion.id, askedQuestionIds[0]);
+
+        // Nothing left: the model picks the question
+        askedQuestionIds.push(second.body.bankQuestion.id);
+        const third = await server.api('POST', '/api/mock-interview', { ...DATA_JOB, messages: [], questionBank: true, askedQuestionIds });
+        assert.equal(third.status, 200);
+        assert.equal(third.body.bankQuestion, undefined);
+    });
+
+    test('quick answers can take a bank question by id', async () => {
+        const { questions } = (await server.api('GET', '/api/admin/questions')).body;
+        assert.equal((await server.api('POST', '/api/quick-answer', { ...JOB, questionId: questions[0].id })).status, 200);
+        assert.equal((await server.api('POST', '/api/quick-answer', { ...JOB, questionId: 'q_missing' })).status, 404);
+    });
+});
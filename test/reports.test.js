@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer, finishInterview } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+const INTERVIEW = { ...JOB, plan: SHORT_PLAN };
+
+describe('interview reports', () => {
+    let server;
+    let finished;
+    before(async () => {
+        server = await startServer();
+        finished = await finishInterview(server, INTERVIEW);
+    });
+    after(() => server.stop());
+
+    test('a stateless transcript becomes a JSON report', async () => {
+        const { status, body } = await server.api('POST', '/api/report', { ...INTERVIEW, messages: finished.messages });
+        assert.equal(status, 200);
+        const { report } = body;
+        assert.equal(report.title, 'Interview Report — Software Engineer');
+        assert.equal(report.job.plan, 'Quick loop');
+        assert.equal(report.overallScore, 72);
+        assert.equal(report.recommendationLabel, 'Consider');
+        assert.deepEqual(report.categories.map(c => c.key), ['communication', 'technicalKnowledge', 'problemSolving', 'leadershipTeamwork', 'professionalism']);
+        assert.equal(report.transcript.length, finished.messages.length);
+        assert.ok(report.transcript.every(entry => !entry.text.includes('FEEDBACK_START')));
+    });
+
+    test('markdown and PDF downloads', async () => {
+        const body = { ...INTERVIEW, messages: finished.messages, feedback: finished.reply.body.feedback };
+
+        const markdown = await server.api('POST', '/api/report', { ...body, format: 'md' });
+        assert.equal(markdown.status, 200);
+        assert.match(markdown.headers.get('content-type'), /^text\/markdown/);
+        assert.match(markdown.headers.get('content-disposition'), /attachment; filename=".+\.md"/);
+        assert.match(markdown.body, /^# Interview Report — Software Engineer/);
+
+        const pdf = await server.api('POST', '/api/report', { ...body, format: 'pdf' });
+        assert.equal(pdf.status, 200);
+        assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+        assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+    });
+
+    test('bad requests are rejected', async () => {
+        const noFeedback = await server.api('POST', '/api/report', { ...INTERVIEW, messages: finished.messages.slice(0, 2) });
+        assert.equal(noFeedback.status, 422);
+
+        assert.equal((await server.api('POST', '/api/report', { ...INTERVIEW, messages: finished.messages, format: 'docx' })).status, 400);
+        assert.equal((await server.api('POST', '/api/report', { ...INTERVIEW, messages: finished.messages, feedback: { overallScore: 50 } })).status, 400);
+    });
+
+    test('sessions have a report once completed', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...INTERVIEW, mode: 'real' });
+        const { id } = created.body.session;
+        assert.equal((await server.api('GET', `/api/sessions/${id}/report`)).status, 409);
+
+        for (let i = 0; i < 3; i++) {
+            await server.api('POST', `/api/sessions/${id}/messages`, { content: `Answer ${i + 1}: I led the migration.` });
+        }
+        const { status, body } = await server.api('GET', `/api/sessions/${id}/report`);
+        assert.equal(status, 200);
+        assert.equal(body.report.session.id, id);
+        assert.ok(body.report.transcript.every(entry => entry.elapsed !== null));
+    });
+});
+
+describe('report rate limit', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('stateless reports share the AI rate limit', async () => {
+        const body = { ...JOB, messages: [{ role: 'assistant', content: 'Thanks, that is all.' }] };
+        for (let i = 0; i < 20; i++) {
+            assert.equal((await server.api('POST', '/api/report', body)).status, 422);
+        }
+        const limited = await server.api('POST', '/api/report', body);
+        assert.equal(limited.status, 429);
+        assert.match(limited.body.error, /Too many AI requests/);
+    });
+});
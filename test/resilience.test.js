@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const SHORT_PLAN = {
+    name: 'Quick loop',
+    stages: [{ stage: 'opening', questions: 1 }, { stage: 'behavioral', questions: 1 }, { stage: 'closing', questions: 1 }]
+};
+
+/** A transcript with `answers` candidate answers, ending on one */
+function transcript(answers) {
+    return Array.from({ length: answers }, (_, i) => [
+        { role: 'assistant', content: `Question ${i + 1}?` },
+        { role: 'user', content: `Answer ${i + 1}: I led the rollout and cut errors by 20%.` }
+    ]).flat();
+}
+
+describe('fallback models and circuit breakers', () => {
+    let server;
+    before(async () => {
+        server = await startServer({
+            MOCK_UNAVAILABLE_MODELS: 'gpt-4o,tts-1',
+            TTS_FALLBACK_MODELS: 'tts-1-hd',
+            UPSTREAM_MAX_RETRIES: '1',
+            BREAKER_FAILURE_THRESHOLD: '3'
+        });
+    });
+    after(() => server.stop());
+
+    test('replies from a fallback model are marked', async () => {
+        const { status, body } = await server.api('POST', '/api/mock-interview', { ...JOB, messages: [] });
+        assert.equal(status, 200);
+        assert.deepEqual(body.fallback, { model: 'gpt-4o-mini', canned: false });
+    });
+
+    test('speech falls back too', async () => {
+        const { status } = await server.api('POST', '/api/tts', { text: 'Welcome back.', voice: 'nova' });
+        assert.equal(status, 200);
+    });
+
+    test('a failing model\'s breaker opens and health reports degraded', async () => {
+        await server.api('POST', '/api/quick-answer', { ...JOB, question: 'Why this role?' });
+
+        const { status, body } = await server.api('GET', '/api/health');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'degraded');
+        const chat = body.upstream.breakers.find(b => b.name === 'chat:gpt-4o');
+        assert.equal(chat.state, 'open');
+        assert.ok(chat.retryInSeconds > 0);
+        assert.equal(body.upstream.breakers.find(b => b.name === 'chat:gpt-4o-mini').state, 'closed');
+    });
+});
+
+describe('every chat model down', () => {
+    let server;
+    before(async () => {
+        server = await startServer({ MOCK_UNAVAILABLE_MODELS: 'gpt-4o,gpt-4o-mini', UPSTREAM_MAX_RETRIES: '0' });
+    });
+    after(() => server.stop());
+
+    const realTurn = (messages, body = {}) => server.api('POST', '/api/real-interview', { ...JOB, plan: SHORT_PLAN, ...body, messages });
+
+    test('interview turns get a canned line in the interview\'s language', async () => {
+        const opening = await realTurn([]);
+        assert.equal(opening.status, 200);
+        assert.match(opening.body.message, /^Hi, thanks for joining me today\./);
+        assert.deepEqual(opening.body.fallback, { model: null, canned: true });
+
+        const spanish = await realTurn(transcript(1), { language: 'es' });
+        assert.equal(spanish.status, 200);
+        assert.notEqual(spanish.body.message, opening.body.message);
+        assert.equal(spanish.body.fallback.canned, true);
+    });
+
+    test('turns that may conclude, and quick answers, return 503', async () => {
+        const closing = await realTurn(transcript(3));
+        assert.equal(closing.status, 503);
+        assert.match(closing.body.error, /temporarily unavailable/);
+
+        assert.equal((await server.api('POST', '/api/quick-answer', { ...JOB, question: 'Why this role?' })).status, 503);
+    });
+
+    test('sessions store the fallback on the interviewer message', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock' });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.session.messages[0].fallback, { model: null, canned: true });
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JOB, startServer } = require('./helpers');
+
+/** Answer a session until it stops being active; returns the last reply */
+async function answerUntilDone(server, id) {
+    let reply;
+    for (let i = 0; i < 20; i++) {
+        reply = await server.api('POST', `/api/sessions/${id}/messages`, { content: `Answer ${i + 1}: I led the rollout and cut errors by 20%.` });
+        if (reply.status !== 200 || reply.body.session.status !== 'active') break;
+    }
+    return reply;
+}
+
+describe('interview sessions', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('a real session holds the transcript and completes with feedback', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'real' });
+        assert.equal(created.status, 201);
+        assert.match(created.body.message, /^Hi, thanks for joining today\./);
+        const { id, status, progress } = created.body.session;
+        assert.equal(status, 'active');
+        assert.equal(progress.userMessageCount, 0);
+
+        const last = await answerUntilDone(server, id);
+        assert.equal(last.status, 200);
+        assert.equal(last.body.containsFeedback, true);
+        assert.equal(last.body.session.status, 'completed');
+
+        const fetched = await server.api('GET', `/api/sessions/${id}`);
+        assert.equal(fetched.body.session.feedback.overallScore, 72);
+        assert.equal(fetched.body.session.messages.at(-1).role, 'assistant');
+
+        const extra = await server.api('POST', `/api/sessions/${id}/messages`, { content: 'One more thing.' });
+        assert.equal(extra.status, 409);
+    });
+
+    test('an ended session takes no more answers', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock' });
+        const { id } = created.body.session;
+
+        const ended = await server.api('POST', `/api/sessions/${id}/end`);
+        assert.equal(ended.body.session.status, 'ended');
+
+        const answer = await server.api('POST', `/api/sessions/${id}/messages`, { content: 'Hello?' });
+        assert.equal(answer.status, 409);
+    });
+
+    test('unknown sessions and bad input are rejected', async () => {
+        assert.equal((await server.api('GET', '/api/sessions/does-not-exist')).status, 404);
+        assert.equal((await server.api('POST', '/api/sessions', { ...JOB, mode: 'panel-of-one' })).status, 400);
+    });
+});
+
+describe('sessions whose closing reply has no feedback', () => {
+    let server;
+    before(async () => { server = await startServer({ MOCK_FEEDBACK_BLOCK: 'missing' }); });
+    after(() => server.stop());
+
+    test('end instead of staying active with no answers left', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'real' });
+        const last = await answerUntilDone(server, created.body.session.id);
+        assert.equal(last.status, 200);
+        assert.equal(last.body.containsFeedback, false);
+        assert.equal(last.body.session.status, 'ended');
+    });
+});
+
+describe('file session store', () => {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-sessions-'));
+    const env = { SESSION_STORE: 'file', SESSION_STORE_PATH: path.join(storeDir, 'sessions.json') };
+    after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+    test('sessions survive a restart', async () => {
+        let server = await startServer(env);
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'mock' });
+        await server.stop();
+
+        server = await startServer(env);
+        try {
+            const fetched = await server.api('GET', `/api/sessions/${created.body.session.id}`);
+            assert.equal(fetched.status, 200);
+            assert.equal(fetched.body.session.messages.length, 1);
+        } finally {
+            await server.stop();
+        }
+    });
+});
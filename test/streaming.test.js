@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_SECRET, JOB, startServer, parseEvents } = require('./helpers');
+
+async function stream(server, urlPath, body) {
+    const res = await server.fetch(urlPath, {
+        method: 'POST',
+        headers: { 'X-API-Key': API_SECRET, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { res, events: parseEvents(await res.text()) };
+}
+
+describe('streaming replies', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('deltas add up to the message in the closing done event', async () => {
+        const { res, events } = await stream(server, '/api/real-interview/stream', { ...JOB, messages: [] });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+        const done = events.at(-1);
+        assert.equal(done.event, 'done');
+        const text = events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+        assert.equal(text.trim(), done.data.message);
+        assert.match(done.data.message, /^Hi, thanks for joining today\./);
+        assert.equal(done.data.truncated, false);
+    });
+
+    test('with a voice, every sentence gets an audio event, in order', async () => {
+        const { events } = await stream(server, '/api/mock-interview/stream', {
+            ...JOB,
+            voice: 'nova',
+            messages: [
+                { role: 'assistant', content: 'Tell me about a project you are proud of.' },
+                { role: 'user', content: 'I rebuilt our deploy pipeline.' }
+            ]
+        });
+        const audio = events.filter(e => e.event === 'audio');
+        assert.ok(audio.length > 1);
+        assert.deepEqual(audio.map(e => e.data.index), audio.map((_, i) => i));
+        for (const { data } of audio) assert.ok(Buffer.from(data.audioBase64, 'base64').length > 0);
+        assert.equal(events.at(-1).event, 'done');
+    });
+
+    test('validation errors are plain JSON, before the stream starts', async () => {
+        const { status, body } = await server.api('POST', '/api/mock-interview/stream', { ...JOB, messages: 'nope' });
+        assert.equal(status, 400);
+        assert.ok(body.error);
+    });
+});
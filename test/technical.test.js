@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+const TWO_SUM_PY = [
+    'def two_sum(nums, target):',
+    '    for i in range(len(nums)):',
+    '        for j in range(i + 1, len(nums)):',
+    '            if nums[i] + nums[j] == target:',
+    '                return [i, j]'
+].join('\n');
+
+const TWO_SUM_C = [
+    '#include <stdio.h>',
+    'int main(void) {',
+    '    char line[64];',
+    '    gets(line);',
+    '    return 0;',
+    '}'
+].join('\n');
+
+const codeAnswer = (language, code) => ({
+    role: 'user',
+    content: 'Brute force first.',
+    submission: { type: 'code', language, code }
+});
+
+describe('technical interviews', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    const turn = (messages, body = {}) => server.api('POST', '/api/technical-interview', { ...JOB, ...body, messages });
+
+    test('a coding interview reviews submissions and ends with the technical rubric', async () => {
+        const opening = await turn([]);
+        assert.equal(opening.status, 200);
+        assert.match(opening.body.message, /two numbers that add up/);
+
+        const messages = [{ role: 'assistant', content: opening.body.message }, codeAnswer('py', TWO_SUM_PY)];
+        const reviewed = await turn(messages);
+        assert.equal(reviewed.body.containsFeedback, false);
+        assert.equal(reviewed.body.review.language, 'python');
+        assert.equal(reviewed.body.review.syntaxOk, true);
+        assert.equal(reviewed.body.review.complexity.estimate, 'O(n^2)');
+        assert.equal(reviewed.body.assessment.verdict, 'partially_correct');
+
+        let reply = reviewed;
+        for (let i = 2; i <= 6 && !reply.body.containsFeedback; i++) {
+            messages.push({ role: 'assistant', content: reply.body.message }, { role: 'user', content: `Part ${i}: a hash map makes it one pass.` });
+            reply = await turn(messages);
+        }
+        assert.equal(reply.body.containsFeedback, true);
+        assert.equal(reply.body.progress.userMessageCount, 6);
+        assert.deepEqual(Object.keys(reply.body.feedback.categoryScores).sort(),
+            ['codeQuality', 'complexityAnalysis', 'correctness', 'designTradeoffs', 'technicalCommunication']);
+    });
+
+    test('C code is reviewed with C rules', async () => {
+        const { body } = await turn([{ role: 'assistant', content: 'Read a line.' }, codeAnswer('c', TWO_SUM_C)]);
+        assert.equal(body.review.language, 'c');
+        assert.ok(body.review.findings.some(f => f.rule === 'gets' && f.line === 4));
+    });
+
+    test('design submissions are reviewed for structure', async () => {
+        const design = {
+            role: 'user',
+            content: "Here's my design.",
+            submission: {
+                type: 'design',
+                components: [{ name: 'Web', kind: 'client' }, { name: 'API', kind: 'service' }, { name: 'Worker', kind: 'service' }, { name: 'Search', kind: 'service' }],
+                connections: [{ from: 'Web', to: 'API' }, { from: 'API', to: 'Ghost' }]
+            }
+        };
+        const { status, body } = await turn([{ role: 'assistant', content: 'Design a URL shortener.' }, design], { track: 'system-design' });
+        assert.equal(status, 200);
+        const rules = body.review.findings.map(f => f.rule);
+        for (const rule of ['unknown-component', 'isolated-component', 'no-datastore', 'no-cache', 'no-load-balancer']) {
+            assert.ok(rules.includes(rule), rule);
+        }
+    });
+
+    test('technical sessions accept submissions', async () => {
+        const created = await server.api('POST', '/api/sessions', { ...JOB, mode: 'technical', track: 'coding' });
+        assert.equal(created.status, 201);
+
+        const { status, body } = await server.api('POST', `/api/sessions/${created.body.session.id}/messages`, {
+            content: 'Brute force first.',
+            submission: { type: 'code', language: 'python', code: TWO_SUM_PY }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.review.complexity.estimate, 'O(n^2)');
+    });
+
+    test('unknown tracks and languages are rejected', async () => {
+        assert.equal((await turn([], { track: 'puzzles' })).status, 400);
+        const badLanguage = await turn([{ role: 'assistant', content: 'Go ahead.' }, codeAnswer('cobol', 'DISPLAY "HI".')]);
+        assert.equal(badLanguage.status, 400);
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JOB, startServer } = require('./helpers');
+
+/** Minimal PCM WAV file: 8 kHz mono 8-bit, so byte rate is 8000/s */
+function wav(seconds) {
+    const dataBytes = Math.round(seconds * 8000);
+    const buffer = Buffer.alloc(44 + dataBytes, 0x80);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);        // PCM
+    buffer.writeUInt16LE(1, 22);        // mono
+    buffer.writeUInt32LE(8000, 24);     // sample rate
+    buffer.writeUInt32LE(8000, 28);     // byte rate
+    buffer.writeUInt16LE(1, 32);        // block align
+    buffer.writeUInt16LE(8, 34);        // bits per sample
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataBytes, 40);
+    return buffer;
+}
+
+function upload(audio, fields = {}) {
+    const form = new FormData();
+    form.append('audio', new Blob([audio]), 'answer.wav');
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    return form;
+}
+
+describe('speech to text', () => {
+    let server;
+    before(async () => { server = await startServer({ TRANSCRIBE_MAX_SECONDS: '5' }); });
+    after(() => server.stop());
+
+    test('transcribes audio with word timestamps', async () => {
+        const { status, body } = await server.api('POST', '/api/transcribe', upload(wav(1), { language: 'en' }));
+        assert.equal(status, 200);
+        assert.match(body.text, /^This is a mock transcript/);
+        assert.equal(body.words.length, 10);
+        assert.ok(body.words.every(w => w.end > w.start));
+    });
+
+    test('rejects a missing file and unknown formats', async () => {
+        const form = new FormData();
+        form.append('language', 'en');
+        assert.equal((await server.api('POST', '/api/transcribe', form)).status, 400);
+
+        const notAudio = await server.api('POST', '/api/transcribe', upload(Buffer.from('definitely not an audio file')));
+        assert.equal(notAudio.status, 400);
+        assert.match(notAudio.body.error, /Unsupported audio format/);
+    });
+
+    test('rejects audio longer than TRANSCRIBE_MAX_SECONDS before transcribing', async () => {
+        const { status, body } = await server.api('POST', '/api/transcribe', upload(wav(10)));
+        assert.equal(status, 413);
+        assert.match(body.error, /max 5 seconds/);
+    });
+
+    test('rejects files over 10 MB', async () => {
+        const { status } = await server.api('POST', '/api/transcribe', upload(Buffer.alloc(10 * 1024 * 1024 + 1)));
+        assert.equal(status, 413);
+    });
+
+    test('a voice turn transcribes the answer and returns the reply with audio', async () => {
+        const { status, body } = await server.api('POST', '/api/real-interview/voice', upload(wav(1), {
+            payload: JSON.stringify({ ...JOB, messages: [{ role: 'assistant', content: 'Tell me about your current role.' }] })
+        }));
+        assert.equal(status, 200);
+        assert.match(body.transcript.text, /^This is a mock transcript/);
+        assert.match(body.message, /^Got it/);
+        assert.ok(body.audioBase64);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+const speak = (server, text, headers) => server.api('POST', '/api/tts', { text, voice: 'nova' }, { headers });
+
+/** Total size of the files in a directory */
+function dirBytes(dir) {
+    return fs.readdirSync(dir).reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+}
+
+describe('TTS audio cache', () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-tts-'));
+    let server;
+    before(async () => { server = await startServer({ TTS_CACHE_DIR: cacheDir }); });
+    after(async () => {
+        await server.stop();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    test('repeated text is synthesized once and served from memory', async () => {
+        const first = await speak(server, 'Ready for the next one?');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+
+        const second = await speak(server, 'Ready for the next one?');
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        assert.deepEqual(second.body, first.body);
+        assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+    });
+
+    test('If-None-Match with the ETag gets a 304 without synthesis', async () => {
+        const first = await speak(server, 'Thanks for joining today.');
+        const before = (await server.api('GET', '/api/tts/cache')).body.cache;
+
+        const revalidated = await speak(server, 'Thanks for joining today.', { 'If-None-Match': first.headers.get('etag') });
+        assert.equal(revalidated.status, 304);
+
+        const afterStats = (await server.api('GET', '/api/tts/cache')).body.cache;
+        assert.equal(afterStats.misses, before.misses);
+        assert.equal(afterStats.memoryHits, before.memoryHits);
+    });
+
+    test('stats count hits and misses and match the disk tier', async () => {
+        const { cache } = (await server.api('GET', '/api/tts/cache')).body;
+        assert.equal(cache.misses, 2);
+        assert.equal(cache.writes, 2);
+        assert.equal(cache.hits, 1);
+        assert.equal(cache.hitRate, 0.333);
+        assert.equal(cache.memory.entries, 2);
+        assert.equal(cache.disk.bytes, dirBytes(cacheDir));
+    });
+
+    test('the disk tier survives a restart', async () => {
+        await server.stop();
+        server = await startServer({ TTS_CACHE_DIR: cacheDir });
+
+        const { cache } = (await server.api('GET', '/api/tts/cache')).body;
+        assert.equal(cache.disk.bytes, dirBytes(cacheDir));
+
+        const replay = await speak(server, 'Ready for the next one?');
+        assert.equal(replay.headers.get('x-cache'), 'HIT');
+        assert.equal((await server.api('GET', '/api/tts/cache')).body.cache.diskHits, 1);
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JOB, startServer } = require('./helpers');
+
+const QUESTION = { ...JOB, question: 'Why do you want this role?' };
+// Less than one mock quick answer costs, so the first call uses it up
+const TINY_BUDGET = '0.000001';
+
+async function createKey(server, userId) {
+    const { body } = await server.api('POST', '/api/admin/keys', { name: 'Test app', userId, scopes: ['interview', 'quick-answer'] });
+    return body.key;
+}
+
+describe('per-user budgets and usage reports', () => {
+    let server;
+    before(async () => { server = await startServer({ BUDGET_USER_DAILY_USD: TINY_BUDGET }); });
+    after(() => server.stop());
+
+    test('a user over their budget gets 402', async () => {
+        const key = await createKey(server, 'alice');
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION, { key })).status, 200);
+
+        const over = await server.api('POST', '/api/quick-answer', QUESTION, { key });
+        assert.equal(over.status, 402);
+        assert.match(over.body.error, /Daily usage budget exceeded/);
+
+        // Other users and the admin secret are unaffected
+        const other = await createKey(server, 'carol');
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION, { key: other })).status, 200);
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION)).status, 200);
+    });
+
+    test('/api/usage only shows a key its own usage and budget', async () => {
+        const alice = await createKey(server, 'alice');
+        const { status, body } = await server.api('GET', '/api/usage', undefined, { key: alice });
+        assert.equal(status, 200);
+        assert.equal(body.totals.calls, 1);
+        assert.deepEqual(body.breakdown.map(b => b.endpoint), ['/quick-answer']);
+        assert.equal(body.budget.dailyUsd, Number(TINY_BUDGET));
+        assert.ok(body.budget.spentTodayUsd > 0);
+
+        const bob = await createKey(server, 'bob');
+        const bobs = await server.api('GET', '/api/usage?userId=alice', undefined, { key: bob });
+        assert.equal(bobs.body.totals.calls, 0);
+        assert.equal(bobs.body.budget.spentTodayUsd, 0);
+    });
+
+    test('admins see everyone, grouped as asked', async () => {
+        const { body } = await server.api('GET', '/api/usage?groupBy=user');
+        assert.equal(body.totals.calls, 3);
+        assert.deepEqual(body.breakdown.map(b => b.user).sort(), ['alice', 'carol', 'none']);
+
+        assert.equal((await server.api('GET', '/api/usage?groupBy=planet')).status, 400);
+        assert.equal((await server.api('GET', '/api/usage?from=yesterday')).status, 400);
+    });
+});
+
+describe('service-wide budget', () => {
+    let server;
+    before(async () => { server = await startServer({ BUDGET_DAILY_USD: TINY_BUDGET }); });
+    after(() => server.stop());
+
+    test('answers 429 once the service cap is reached', async () => {
+        assert.equal((await server.api('POST', '/api/quick-answer', QUESTION)).status, 200);
+        const over = await server.api('POST', '/api/quick-answer', QUESTION);
+        assert.equal(over.status, 429);
+        assert.match(over.body.error, /daily usage limit/);
+    });
+});
+
+describe('usage store', () => {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviewpro-usage-'));
+    const env = { USAGE_STORE_PATH: path.join(storeDir, 'usage.json') };
+    after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+    test('is written on shutdown and reloaded into the spend totals', async () => {
+        let server = await startServer(env);
+        await server.api('POST', '/api/quick-answer', QUESTION);
+        const spent = (await server.api('GET', '/api/usage')).body.budget.spentTodayUsd;
+        await server.stop();
+
+        const saved = JSON.parse(fs.readFileSync(env.USAGE_STORE_PATH, 'utf8'));
+        assert.equal(Object.keys(saved.buckets).length, 1);
+
+        server = await startServer(env);
+        try {
+            const { body } = await server.api('GET', '/api/usage');
+            assert.equal(body.totals.calls, 1);
+            assert.equal(body.budget.spentTodayUsd, spent);
+        } finally {
+            await server.stop();
+        }
+    });
+});